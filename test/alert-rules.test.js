@@ -0,0 +1,66 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+
+const URL_1011B875 = 'https://b2b.asics.com/orders/100454100/products/1011B875';
+
+const record = (sizeUS, quantity) => ({
+    styleId: '1011B875',
+    sku: '1011B875-600-' + sizeUS,
+    colorCode: '600',
+    sizeUS,
+    quantity,
+    rawQuantity: String(quantity),
+    available: quantity > 0,
+    orderNumber: '100454100',
+    account: 'default'
+});
+
+const successLog = (batchId, minutes, url, products) => ({
+    url,
+    batchId,
+    status: 'success',
+    products,
+    productCount: products.length,
+    timestamp: new Date(Date.UTC(2025, 5, 1, 2, minutes))
+});
+
+describe('alert rules between full batches', () => {
+    let scraper;
+    let deliveries;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        deliveries = [];
+        scraper.queueWebhookDelivery = async (delivery) => deliveries.push(delivery);
+
+        // A full batch, a failed-URL re-run that only covered another style, then the next full batch
+        scraper.batchHistory = [
+            { id: 'full-2', state: 'done', trigger: 'schedule' },
+            { id: 'rerun', state: 'done', trigger: 'failed-rerun' },
+            { id: 'full-1', state: 'done', trigger: 'schedule' }
+        ];
+        scraper.scrapingLogs = [
+            successLog('full-2', 20, URL_1011B875, [record('7', 1), record('8', 1)]),
+            successLog('rerun', 10, 'https://b2b.asics.com/orders/100454100/products/1011B861', [{ ...record('9', 4), styleId: '1011B861', sku: '1011B861-600-9' }]),
+            successLog('full-1', 0, URL_1011B875, [record('7', 1), record('8', 5)])
+        ];
+        scraper.alertRules = [{ id: 1, name: 'Low stock', enabled: true, styleId: '1011B875', colorCode: null, sizeUS: null, condition: 'below', threshold: 2, webhookUrl: 'https://hooks.example.com/stock' }];
+    });
+
+    it('uses the last full batch as the baseline, not the re-run in between', async () => {
+        assert.equal(await scraper.getPreviousBatchId('full-2'), 'full-1');
+    });
+
+    it('only alerts on SKUs that actually dropped below the threshold', async () => {
+        await scraper.evaluateAlertRules('full-2');
+
+        assert.equal(deliveries.length, 1);
+        assert.equal(deliveries[0].payload.previousBatchId, 'full-1');
+        assert.deepEqual(deliveries[0].payload.matches.map(match => [match.sku, match.from, match.to]), [['1011B875-600-8', '5', '1']]);
+    });
+});
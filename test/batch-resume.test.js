@@ -0,0 +1,108 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read by the constructor: no database, no rate-limit or retry waits
+delete process.env.DATABASE_URL;
+Object.assign(process.env, { RATE_LIMIT_INTERVAL_MS: '1', SCRAPE_RETRY_BASE_MS: '1' });
+
+const { EnhancedASICSScraper, BatchBrowserSession, ScrapeError } = require('../server');
+
+// Cookies live on the browser (context), storage on each page - like the real thing
+function createFakeBrowser() {
+    const browser = {
+        cookies: [],
+        pages: [],
+        isConnected: () => true,
+        on: () => {},
+        close: async () => {},
+        newPage: async () => {
+            const page = {
+                storage: null,
+                closed: false,
+                isClosed() {
+                    return this.closed;
+                },
+                async close() {
+                    this.closed = true;
+                }
+            };
+            browser.pages.push(page);
+            return page;
+        }
+    };
+    return browser;
+}
+
+describe('batch paused on an expired session', () => {
+    let scraper;
+    let browser;
+    let acceptedSession;
+
+    before(() => {
+        browser = createFakeBrowser();
+        BatchBrowserSession.prototype.connect = async function () {
+            this.browser = browser;
+        };
+
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.setupStealthMode = async () => {};
+        scraper.restoreCompleteSessionState = async (page, { includeCookies, profile }) => {
+            if (includeCookies) {
+                browser.cookies = profile.sessionCookies.map(cookie => cookie.value);
+            }
+            page.storage = profile.localStorage.token;
+        };
+
+        // The site accepts one session at a time and expires the old one after the first URL
+        scraper.vueJsStealthScrapeUrl = async (url, session) => {
+            const page = await session.acquirePage();
+            let failed = false;
+            try {
+                if (!browser.cookies.includes(acceptedSession) || page.storage !== acceptedSession) {
+                    failed = true;
+                    throw new ScrapeError('login-redirect', 'Redirected to the ASICS login page - session has expired');
+                }
+                if (url.endsWith('/1')) {
+                    acceptedSession = 'fresh';
+                }
+                return { url, products: [{ sku: url }], analysis: {} };
+            } finally {
+                await session.releasePage(page, { discard: failed });
+            }
+        };
+    });
+
+    it('restores the freshly imported cookies and storage when the batch resumes', { timeout: 5000 }, async () => {
+        const profile = scraper.getSessionProfile();
+        Object.assign(profile, { sessionCookies: [{ name: 'sid', value: 'old' }], localStorage: { token: 'old' }, sessionValid: true });
+        acceptedSession = 'old';
+
+        const batch = scraper.createBatch('manual', [
+            { url: 'https://b2b.asics.com/orders/1', profile: profile.name },
+            { url: 'https://b2b.asics.com/orders/2', profile: profile.name }
+        ]);
+        const run = scraper.startEnhancedVueJSScraping(batch);
+
+        while (batch.state !== 'paused') {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+        assert.equal(batch.pauseReason, 'session-expired');
+        assert.equal(batch.expiredProfile, profile.name);
+
+        // Import: a valid session resumes the batch by itself
+        Object.assign(profile, { sessionCookies: [{ name: 'sid', value: 'fresh' }], localStorage: { token: 'fresh' } });
+        scraper.setSessionValid(true, profile);
+        await run;
+
+        assert.equal(batch.state, 'done');
+        assert.equal(batch.completed, 2);
+        assert.deepEqual(scraper.scrapingLogs.map(log => [log.url, log.status]).reverse(), [
+            ['https://b2b.asics.com/orders/1', 'success'],
+            ['https://b2b.asics.com/orders/2', 'success']
+        ]);
+        assert.deepEqual(browser.cookies, ['fresh']);
+        // The pooled page from before the pause held the old storage and was dropped
+        assert.equal(browser.pages[0].closed, true);
+    });
+});
@@ -0,0 +1,60 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read by the constructor: no database, no rate-limit or retry waits
+delete process.env.DATABASE_URL;
+Object.assign(process.env, { RATE_LIMIT_INTERVAL_MS: '1', SCRAPE_RETRY_BASE_MS: '1', SCRAPE_MAX_ATTEMPTS: '3' });
+
+const { EnhancedASICSScraper, BatchBrowserSession, ScrapeError } = require('../server');
+
+describe('batch retries', () => {
+    let scraper;
+    let attempts;
+    let failure;
+
+    before(() => {
+        BatchBrowserSession.prototype.connect = async function () {};
+        BatchBrowserSession.prototype.close = async function () {};
+
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.emitScraperEvent = () => {};
+        scraper.vueJsStealthScrapeUrl = async () => {
+            attempts++;
+            throw failure();
+        };
+    });
+
+    const runOne = async (url) => {
+        attempts = 0;
+        const batch = scraper.createBatch('manual', [{ url, profile: 'default' }]);
+        await scraper.startEnhancedVueJSScraping(batch);
+        return scraper.scrapingLogs.find(log => log.url === url);
+    };
+
+    it('gives a page without an inventory grid one more attempt, then records selector-missing', async () => {
+        failure = () => {
+            const error = new ScrapeError('selector-missing', 'Inventory grid not found on page');
+            error.degraded = { extractionMethod: 'vue-js-page-scan', artifactId: 'artifact-1' };
+            return error;
+        };
+
+        const log = await runOne('https://b2b.asics.com/orders/1/products/1011B974');
+
+        assert.equal(attempts, 2);
+        assert.equal(log.status, 'error');
+        assert.equal(log.errorType, 'selector-missing');
+        assert.equal(log.attempts, 2);
+        assert.equal(log.degradedMethod, 'vue-js-page-scan');
+        assert.equal(log.artifactId, 'artifact-1');
+    });
+
+    it('uses every attempt for a navigation timeout', async () => {
+        failure = () => new ScrapeError('navigation-timeout', 'Navigation timeout of 30000 ms exceeded');
+
+        const log = await runOne('https://b2b.asics.com/orders/2/products/1011B875');
+
+        assert.equal(attempts, 3);
+        assert.equal(log.errorType, 'navigation-timeout');
+    });
+});
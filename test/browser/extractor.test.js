@@ -0,0 +1,168 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const puppeteer = require('puppeteer-core');
+const { startFixtureServer } = require('../fixture-server');
+
+// Run via `npm run test:browser`; a missing browser fails the run instead of skipping the suite
+const chromePath = process.env.CHROME_PATH;
+if (!chromePath || !fs.existsSync(chromePath)) {
+    throw new Error('CHROME_PATH must point to a Chrome/Chromium binary for the browser tests (got ' + (chromePath || 'nothing') + ')');
+}
+
+// Fields compared per record; timestamps and links depend on the run
+const COMPARED_FIELDS = [
+    'name', 'styleId', 'sku', 'colorCode', 'colorName', 'sizeUS', 'quantity', 'rawQuantity', 'available',
+    'wholesalePrice', 'retailPrice', 'currency', 'priceMissing', 'orderNumber', 'deliveryDate',
+    'requestedColorCode', 'season', 'extractionMethod'
+];
+
+const pick = (product) => Object.fromEntries(COMPARED_FIELDS.map(field => [field, product[field]]));
+
+const matrixRecord = (colorCode, colorName, sizeUS, rawQuantity, quantity) => ({
+    name: 'GEL-KAYANO 31',
+    styleId: '1011B875',
+    sku: '1011B875-' + colorCode + '-' + sizeUS,
+    colorCode,
+    colorName,
+    sizeUS,
+    quantity,
+    rawQuantity,
+    available: quantity > 0,
+    wholesalePrice: 80,
+    retailPrice: 165,
+    currency: 'USD',
+    priceMissing: false,
+    orderNumber: '100454100',
+    deliveryDate: '2025-06-18',
+    requestedColorCode: '600',
+    season: 'SS25',
+    extractionMethod: 'vue-js-dynamic-matrix'
+});
+
+const plusAndDashRecord = (sizeUS, rawQuantity, quantity, available) => ({
+    name: 'GT-2000 13',
+    styleId: '1011B861',
+    sku: '1011B861-400-' + sizeUS,
+    colorCode: '400',
+    colorName: 'BLUE EXPANSE/WHITE',
+    sizeUS,
+    quantity,
+    rawQuantity,
+    available,
+    wholesalePrice: 70,
+    retailPrice: 140,
+    currency: 'EUR',
+    priceMissing: false,
+    orderNumber: '100454101',
+    deliveryDate: null,
+    requestedColorCode: null,
+    season: 'FW25',
+    extractionMethod: 'vue-js-dynamic-matrix'
+});
+
+describe('vueJsStealthScrapeUrl against the B2B fixture server', () => {
+    let fixtureServer;
+    let browser;
+    let scraper;
+    let session;
+    let artifactsDir;
+
+    before(async () => {
+        fixtureServer = await startFixtureServer();
+        artifactsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asics-artifacts-'));
+        browser = await puppeteer.launch({
+            executablePath: chromePath,
+            headless: 'new',
+            args: ['--no-sandbox', '--disable-dev-shm-usage']
+        });
+
+        // Read by the constructor; short readiness waits keep the missing-grid case quick
+        delete process.env.DATABASE_URL;
+        Object.assign(process.env, {
+            ASICS_B2B_BASE_URL: fixtureServer.baseUrl,
+            ARTIFACTS_DIR: artifactsDir,
+            READY_TIMEOUT_MS: '3000',
+            READY_NETWORK_IDLE_MS: '200',
+            READY_DOM_QUIET_MS: '200'
+        });
+
+        const { EnhancedASICSScraper, BatchBrowserSession } = require('../../server');
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.browserlessEndpoint = browser.wsEndpoint();
+
+        // One session for the suite: a standalone scrape closes the browser when it finishes
+        session = new BatchBrowserSession(scraper);
+    });
+
+    after(async () => {
+        if (session) {
+            await session.close();
+        }
+        if (browser) {
+            await browser.close().catch(() => {});
+        }
+        if (fixtureServer) {
+            await fixtureServer.close();
+        }
+        if (artifactsDir) {
+            fs.rmSync(artifactsDir, { recursive: true, force: true });
+        }
+    });
+
+    it('builds one record per color and size from a normal matrix', async () => {
+        const result = await scraper.vueJsStealthScrapeUrl(fixtureServer.baseUrl + '/orders/100454100/products/1011B875?colorCode=600&deliveryDate=2025-06-18', session);
+
+        assert.deepEqual(result.products.map(pick), [
+            matrixRecord('600', 'CLASSIC RED/WHITE', '7', '3', 3),
+            matrixRecord('600', 'CLASSIC RED/WHITE', '8', '0', 0),
+            matrixRecord('600', 'CLASSIC RED/WHITE', '9.5', '12', 12),
+            matrixRecord('001', 'BLACK/BLACK', '7', '1', 1),
+            matrixRecord('001', 'BLACK/BLACK', '8', '5', 5),
+            matrixRecord('001', 'BLACK/BLACK', '9.5', '0', 0)
+        ]);
+        assert.equal(result.analysis.readiness.ready, true);
+        assert.deepEqual(result.analysis.extractionProfile, { name: 'builtin', version: 0 });
+        assert.equal(result.analysis.degraded, undefined);
+    });
+
+    it('parses "0+" and "-" quantities', async () => {
+        const result = await scraper.vueJsStealthScrapeUrl(fixtureServer.baseUrl + '/orders/100454101/products/1011B861', session);
+
+        assert.deepEqual(result.products.map(pick), [
+            plusAndDashRecord('8', '0+', 0, false),
+            plusAndDashRecord('9', '-', -1, false),
+            plusAndDashRecord('10', '25+', 25, true)
+        ]);
+    });
+
+    it('fails as selector-missing and saves artifacts when the grid is missing', async () => {
+        let missingGrid = null;
+        await assert.rejects(
+            scraper.vueJsStealthScrapeUrl(fixtureServer.baseUrl + '/orders/100454102/products/1011B974', session),
+            (error) => {
+                missingGrid = error;
+                return error.name === 'ScrapeError' && error.type === 'selector-missing';
+            }
+        );
+
+        const { extractionMethod, artifactId } = missingGrid.degraded;
+        assert.equal(extractionMethod, 'vue-js-page-scan');
+        assert.ok(artifactId);
+        assert.deepEqual(fs.readdirSync(path.join(artifactsDir, artifactId)).sort(), ['meta.json', 'page.html', 'screenshot.png']);
+
+        const meta = JSON.parse(fs.readFileSync(path.join(artifactsDir, artifactId, 'meta.json'), 'utf8'));
+        assert.equal(meta.readiness.gridPresent, false);
+        assert.ok(meta.debugTrail.includes('🔧 Creating basic page record as final fallback'));
+    });
+
+    it('rejects a login redirect as an expired session', async () => {
+        await assert.rejects(
+            scraper.vueJsStealthScrapeUrl(fixtureServer.baseUrl + '/orders/100454103/products/1011B999', session),
+            (error) => error.name === 'ScrapeError' && error.type === 'login-redirect'
+        );
+    });
+});
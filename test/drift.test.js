@@ -0,0 +1,80 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+
+const success = (url, degradedMethod = null, artifactId = null) => ({ url, account: 'default', status: 'success', degradedMethod, artifactId });
+
+describe('checkExtractionDrift', () => {
+    let scraper;
+    let events;
+
+    beforeEach(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.driftAlertThreshold = 0.2;
+        events = [];
+        scraper.emitScraperEvent = (type, payload) => events.push({ type, payload });
+    });
+
+    it('stays quiet when no page was degraded', () => {
+        const results = [success('https://b2b.asics.com/a'), success('https://b2b.asics.com/b')];
+
+        assert.equal(scraper.checkExtractionDrift('batch-1', results), null);
+        assert.deepEqual(events, []);
+    });
+
+    it('stays quiet below the threshold', () => {
+        const results = [
+            success('https://b2b.asics.com/a', 'vue-js-page-scan', 'artifact-1'),
+            ...['b', 'c', 'd', 'e', 'f'].map(page => success('https://b2b.asics.com/' + page))
+        ];
+
+        assert.equal(scraper.checkExtractionDrift('batch-1', results), null);
+        assert.deepEqual(events, []);
+    });
+
+    it('fires extraction.drift once the degraded share reaches the threshold', () => {
+        const results = [
+            success('https://b2b.asics.com/a', 'vue-js-page-scan', 'artifact-1'),
+            success('https://b2b.asics.com/b'),
+            success('https://b2b.asics.com/c'),
+            success('https://b2b.asics.com/d'),
+            success('https://b2b.asics.com/e')
+        ];
+
+        const drift = scraper.checkExtractionDrift('batch-1', results);
+
+        assert.equal(drift.share, 0.2);
+        assert.equal(drift.degradedCount, 1);
+        assert.equal(drift.scrapedCount, 5);
+        assert.deepEqual(drift.urls, [{ url: 'https://b2b.asics.com/a', account: 'default', extractionMethod: 'vue-js-page-scan', artifactId: 'artifact-1' }]);
+        assert.deepEqual(events, [{ type: 'extraction.drift', payload: drift }]);
+    });
+
+    it('counts only successful scrapes towards the share', () => {
+        const results = [
+            success('https://b2b.asics.com/a', 'vue-js-page-scan'),
+            success('https://b2b.asics.com/b'),
+            { url: 'https://b2b.asics.com/c', status: 'error' },
+            { url: 'https://b2b.asics.com/d', status: 'session-expired' }
+        ];
+
+        assert.equal(scraper.checkExtractionDrift('batch-1', results).share, 0.5);
+    });
+
+    it('counts pages that failed with a missing grid as degraded', () => {
+        const results = [
+            { url: 'https://b2b.asics.com/a', account: 'default', status: 'error', errorType: 'selector-missing', degradedMethod: 'vue-js-page-scan', artifactId: 'artifact-1' },
+            success('https://b2b.asics.com/b'),
+            { url: 'https://b2b.asics.com/c', status: 'error', errorType: 'navigation-timeout', degradedMethod: null }
+        ];
+
+        const drift = scraper.checkExtractionDrift('batch-1', results);
+
+        assert.equal(drift.scrapedCount, 2);
+        assert.equal(drift.share, 0.5);
+    });
+});
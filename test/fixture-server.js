@@ -0,0 +1,62 @@
+const express = require('express');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Style ID -> saved product page; null redirects to the sign-in page the way an expired session does
+const PRODUCT_PAGES = {
+    '1011B875': 'matrix.html',
+    '1011B861': 'plus-and-dash.html',
+    '1011B974': 'missing-grid.html',
+    '1011B999': null
+};
+
+// Local stand-in for the ASICS B2B site, serving saved pages from test/fixtures
+function createFixtureApp() {
+    const app = express();
+
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(FIXTURES_DIR, 'home.html'));
+    });
+
+    app.get('/login', (req, res) => {
+        res.sendFile(path.join(FIXTURES_DIR, 'login.html'));
+    });
+
+    app.get('/orders/:orderNumber/products/:styleId', (req, res) => {
+        const fixture = PRODUCT_PAGES[req.params.styleId];
+
+        if (fixture === undefined) {
+            return res.status(404).send('No fixture for style ' + req.params.styleId);
+        }
+        if (fixture === null) {
+            return res.redirect('/login?returnUrl=' + encodeURIComponent(req.originalUrl));
+        }
+
+        res.sendFile(path.join(FIXTURES_DIR, fixture));
+    });
+
+    return app;
+}
+
+// Listens on a free port unless one is given; resolves with the base URL and a close function
+function startFixtureServer(port = 0) {
+    return new Promise((resolve, reject) => {
+        const server = createFixtureApp().listen(port, '127.0.0.1', () => {
+            resolve({
+                baseUrl: 'http://127.0.0.1:' + server.address().port,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+}
+
+// `node test/fixture-server.js` serves the fixtures for manual runs with ASICS_B2B_BASE_URL
+if (require.main === module) {
+    startFixtureServer(parseInt(process.env.FIXTURE_PORT) || 4010).then(({ baseUrl }) => {
+        console.log('🧪 ASICS B2B fixture server running at ' + baseUrl);
+    });
+}
+
+module.exports = { startFixtureServer, PRODUCT_PAGES };
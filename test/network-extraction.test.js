@@ -0,0 +1,181 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+
+const PAGE_URL = 'https://b2b.asics.com/orders/100454100/products/1011B875?colorCode=600&deliveryDate=2025-06-18';
+
+const domRecord = (colorCode, sizeUS, rawQuantity, quantity) => ({
+    name: 'GEL-KAYANO 31',
+    styleId: '1011B875',
+    colorCode,
+    colorName: colorCode === '600' ? 'CLASSIC RED/WHITE' : 'BLACK/BLACK',
+    sizeUS,
+    quantity,
+    rawQuantity,
+    wholesalePrice: 80,
+    retailPrice: 165,
+    currency: 'USD',
+    season: 'SS25',
+    extractionMethod: 'vue-js-dynamic-matrix'
+});
+
+const pageResponse = {
+    url: 'https://b2b.asics.com/api/orders/100454100/products/1011B875',
+    data: {
+        product: {
+            styleId: '1011B875',
+            name: 'GEL-KAYANO 31',
+            colors: [
+                { colorCode: '600', name: 'CLASSIC RED/WHITE', sizes: [{ size: '7', availableQuantity: 3 }, { size: '8', availableQuantity: '0+' }] },
+                { colorCode: 1, name: 'BLACK/BLACK', sizes: [{ size: '7', availableQuantity: '-' }] }
+            ]
+        }
+    }
+};
+
+const pick = (product) => [product.styleId, product.colorCode, product.colorName, product.sizeUS, product.rawQuantity, product.quantity, product.available];
+
+describe('extractProductsFromNetworkJson', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('builds records from nested style, color and size objects', () => {
+        const products = scraper.extractProductsFromNetworkJson([pageResponse], PAGE_URL);
+
+        assert.deepEqual(products.map(pick), [
+            ['1011B875', '600', 'CLASSIC RED/WHITE', '7', '3', 3, true],
+            ['1011B875', '600', 'CLASSIC RED/WHITE', '8', '0+', 0, false],
+            ['1011B875', '001', 'BLACK/BLACK', '7', '-', -1, false]
+        ]);
+        assert.equal(products[0].name, 'GEL-KAYANO 31');
+        assert.equal(products[0].sku, '1011B875-600-7');
+        assert.equal(products[0].extractionMethod, 'network-json');
+        assert.equal(products[0].orderNumber, '100454100');
+        assert.equal(products[0].deliveryDate, '2025-06-18');
+    });
+
+    it('ignores related styles whose color and size match the page', () => {
+        const related = {
+            url: 'https://b2b.asics.com/api/recommendations',
+            data: [{ styleId: '1011B861', colors: [{ colorCode: '600', sizes: [{ size: '7', availableQuantity: 99 }] }] }]
+        };
+
+        const products = scraper.extractProductsFromNetworkJson([pageResponse, related], PAGE_URL);
+
+        assert.equal(products.length, 3);
+        assert.deepEqual(products.find(product => product.colorCode === '600' && product.sizeUS === '7').quantity, 3);
+    });
+
+    it('keeps only the delivery the page is for', () => {
+        const deliveries = {
+            url: 'https://b2b.asics.com/api/orders/100454100/deliveries',
+            data: {
+                styleId: '1011B875',
+                deliveries: [
+                    { deliveryDate: '2025-06-18T00:00:00Z', items: [{ colorCode: '600', size: '7', quantity: 4 }] },
+                    { deliveryDate: '2025-08-01T00:00:00Z', items: [{ colorCode: '600', size: '7', quantity: 40 }] }
+                ]
+            }
+        };
+
+        const products = scraper.extractProductsFromNetworkJson([deliveries], PAGE_URL);
+
+        assert.deepEqual(products.map(product => product.quantity), [4]);
+    });
+
+    it('takes missing names and prices from the DOM records', () => {
+        const bare = { url: 'https://b2b.asics.com/api/stock', data: [{ colorCode: '600', size: '7', qty: 3 }] };
+
+        const [product] = scraper.extractProductsFromNetworkJson([bare], PAGE_URL, [domRecord('600', '7', '3', 3)]);
+
+        assert.equal(product.styleId, '1011B875');
+        assert.equal(product.name, 'GEL-KAYANO 31');
+        assert.equal(product.colorName, 'CLASSIC RED/WHITE');
+        assert.equal(product.wholesalePrice, 80);
+        assert.equal(product.currency, 'USD');
+        assert.equal(product.season, 'SS25');
+    });
+});
+
+describe('crossCheckExtraction', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('agrees when every color and size matches', () => {
+        const dom = [domRecord('600', '7', '3', 3), domRecord('600', '8', '0+', 0)];
+        const network = [{ colorCode: '600', sizeUS: '7', quantity: 3, rawQuantity: '3' }, { colorCode: '600', sizeUS: '8', quantity: 0, rawQuantity: '0' }];
+
+        const result = scraper.crossCheckExtraction(network, dom);
+
+        assert.equal(result.agrees, true);
+        assert.equal(result.compared, 2);
+        assert.equal(result.matched, 2);
+    });
+
+    it('reports quantity mismatches and cells missing on either side', () => {
+        const dom = [domRecord('600', '7', '3', 3), domRecord('600', '8', '5', 5)];
+        const network = [{ colorCode: '600', sizeUS: '7', quantity: 2, rawQuantity: '2' }, { colorCode: '001', sizeUS: '7', quantity: 1, rawQuantity: '1' }];
+
+        const result = scraper.crossCheckExtraction(network, dom);
+
+        assert.equal(result.agrees, false);
+        assert.deepEqual(result.mismatches, [{ colorCode: '600', sizeUS: '7', network: '2', dom: '3' }]);
+        assert.equal(result.missingFromDom, 1);
+        assert.equal(result.missingFromNetwork, 1);
+    });
+
+    it('cannot disagree without a DOM matrix', () => {
+        const dom = [{ ...domRecord('', '', 'Dynamic content scan needed', 0), extractionMethod: 'vue-js-page-scan' }];
+
+        assert.equal(scraper.crossCheckExtraction([{ colorCode: '600', sizeUS: '7', quantity: 3 }], dom).agrees, true);
+    });
+});
+
+describe('selectNetworkExtraction', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('uses the network records when they agree with the DOM grid', () => {
+        const dom = [domRecord('600', '7', '3', 3), domRecord('600', '8', '0+', 0), domRecord('001', '7', '-', -1)];
+
+        const { products, summary } = scraper.selectNetworkExtraction([pageResponse], PAGE_URL, dom);
+
+        assert.equal(summary.method, 'network-json');
+        assert.equal(summary.fallbackReason, null);
+        assert.ok(products.every(product => product.extractionMethod === 'network-json'));
+    });
+
+    it('falls back to the DOM records when the grid was read and disagrees', () => {
+        const dom = [domRecord('600', '7', '5', 5), domRecord('600', '8', '0+', 0), domRecord('001', '7', '-', -1)];
+
+        const { products, summary } = scraper.selectNetworkExtraction([pageResponse], PAGE_URL, dom);
+
+        assert.equal(summary.method, 'dom');
+        assert.equal(summary.fallbackReason, 'cross-check-mismatch');
+        assert.equal(products, dom);
+    });
+
+    it('falls back to the DOM records when the JSON holds no inventory', () => {
+        const dom = [domRecord('600', '7', '3', 3)];
+
+        const { products, summary } = scraper.selectNetworkExtraction([{ url: 'https://b2b.asics.com/api/user', data: { name: 'Buyer' } }], PAGE_URL, dom);
+
+        assert.equal(summary.fallbackReason, 'no-network-inventory');
+        assert.equal(products, dom);
+    });
+});
@@ -0,0 +1,84 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+const CronTimeMatcher = require('node-cron/src/time-matcher');
+
+describe('getNextCronRun', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    const nextRun = (expression, timezone, from) => {
+        const run = scraper.getNextCronRun(expression, timezone, new Date(from));
+        return run && run.toISOString();
+    };
+
+    it('finds the default Sunday 2 AM run in the schedule timezone', () => {
+        assert.equal(nextRun('0 2 * * 0', 'America/New_York', '2025-06-18T12:00:00Z'), '2025-06-22T06:00:00.000Z');
+    });
+
+    it('uses the standard-time offset on the night the clocks fall back', () => {
+        assert.equal(nextRun('0 2 * * sun', 'America/New_York', '2025-11-01T12:00:00Z'), '2025-11-02T07:00:00.000Z');
+    });
+
+    it('skips to the next weekday once the last step of the day has passed', () => {
+        assert.equal(nextRun('*/15 9-17 * * mon-fri', 'Europe/Amsterdam', '2025-06-20T15:50:00Z'), '2025-06-23T07:00:00.000Z');
+    });
+
+    it('requires both day fields to match when both are restricted, like node-cron', () => {
+        assert.equal(nextRun('0 0 1,15 * 5', 'UTC', '2025-06-02T00:00:00Z'), '2025-08-01T00:00:00.000Z');
+    });
+
+    it('honours a leading seconds field', () => {
+        assert.equal(nextRun('15 30 6 * * *', 'UTC', '2025-03-01T06:30:20Z'), '2025-03-02T06:30:15.000Z');
+    });
+
+    it('agrees with the first minute node-cron itself matches', () => {
+        const from = new Date('2025-03-28T10:07:00Z');
+        const expressions = ['*/20 * * * *', '0 */6 * * *', '5 4 * * sun', '0 9-17/4 * * 1-5', '30 2 * * */2', '0 0 5-1 * *'];
+
+        expressions.forEach(expression => {
+            const matcher = new CronTimeMatcher(expression, 'Europe/Amsterdam');
+            let expected = from.getTime() + 60000;
+            while (!matcher.match(new Date(expected))) {
+                expected += 60000;
+            }
+            assert.equal(nextRun(expression, 'Europe/Amsterdam', from.toISOString()), new Date(expected).toISOString(), expression);
+        });
+    });
+
+    it('reaches the next leap day and gives up on dates that never occur', () => {
+        assert.equal(nextRun('0 0 29 2 *', 'UTC', '2025-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+        assert.equal(nextRun('0 0 30 2 *', 'UTC', '2025-03-01T00:00:00Z'), null);
+    });
+
+    it('returns null for a malformed expression', () => {
+        assert.equal(nextRun('0 0 * *', 'UTC', '2025-03-01T00:00:00Z'), null);
+        assert.equal(nextRun('0 0 * * */0', 'UTC', '2025-03-01T00:00:00Z'), null);
+    });
+});
+
+describe('findReversedCronRange', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('flags ranges node-cron would silently reorder', () => {
+        assert.equal(scraper.findReversedCronRange('0 0 5-1 * *'), '5-1');
+        assert.equal(scraper.findReversedCronRange('0 2 * * 5-7'), '5-7');
+    });
+
+    it('accepts forward ranges, steps and names', () => {
+        assert.equal(scraper.findReversedCronRange('*/15 9-17 1,15 jan-mar mon-fri'), null);
+        assert.equal(scraper.findReversedCronRange('0 2 * * 7'), null);
+    });
+});
@@ -0,0 +1,51 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const puppeteer = require('puppeteer-core');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+
+describe('ensureValidSession', () => {
+    let scraper;
+    let profile;
+    let browser;
+
+    before(() => {
+        puppeteer.connect = async () => browser;
+
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.setupStealthMode = async () => {};
+        scraper.restoreCompleteSessionState = async () => {};
+    });
+
+    beforeEach(() => {
+        browser = {
+            closed: false,
+            newPage: async () => ({
+                goto: async () => {
+                    throw new Error('Navigation timeout of 30000 ms exceeded');
+                }
+            }),
+            close: async () => {
+                browser.closed = true;
+            }
+        };
+        profile = scraper.getSessionProfile();
+        Object.assign(profile, { sessionCookies: [{ name: 'SESSION', value: 'abc' }], sessionValid: true });
+    });
+
+    it('keeps the stored validity when the check cannot finish', async () => {
+        const result = await scraper.ensureValidSession(null, profile);
+
+        assert.equal(result.unknown, true);
+        assert.equal(profile.sessionValid, true);
+    });
+
+    it('closes the browser when the check throws', async () => {
+        await scraper.testCompleteSessionValidity(null, profile);
+
+        assert.equal(browser.closed, true);
+    });
+});
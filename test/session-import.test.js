@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+delete process.env.DATABASE_URL;
+
+const { EnhancedASICSScraper } = require('../server');
+
+// Far enough ahead that no run of the suite sees these cookies as expired
+const EXPIRES = Math.floor(Date.now() / 1000) + 30 * 24 * 3600;
+
+const harEntry = (url, { requestCookies = [], responseCookies = [] } = {}) => ({
+    request: { url, cookies: requestCookies },
+    response: { cookies: responseCookies }
+});
+
+describe('parseImportedCookies', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('keeps Set-Cookie attributes when later requests send the same cookie', () => {
+        const har = {
+            log: {
+                entries: [
+                    harEntry('https://b2b.asics.com/login', {
+                        responseCookies: [{ name: 'SESSION', value: 'v1', domain: '.asics.com', path: '/', httpOnly: true, secure: true, expires: new Date(EXPIRES * 1000).toISOString() }]
+                    }),
+                    harEntry('https://b2b.asics.com/orders', { requestCookies: [{ name: 'SESSION', value: 'v2' }] })
+                ]
+            }
+        };
+
+        const { format, cookies } = scraper.parseImportedCookies(har);
+
+        assert.equal(format, 'har');
+        assert.deepEqual(cookies, [{ name: 'SESSION', value: 'v2', domain: '.asics.com', path: '/', httpOnly: true, secure: true, expires: EXPIRES }]);
+    });
+
+    it('replaces a request-only cookie once its Set-Cookie shows up', () => {
+        const har = {
+            log: {
+                entries: [
+                    harEntry('https://b2b.asics.com/', { requestCookies: [{ name: 'SESSION', value: 'old' }, { name: 'lang', value: 'en' }] }),
+                    harEntry('https://b2b.asics.com/refresh', {
+                        responseCookies: [{ name: 'SESSION', value: 'new', domain: '.asics.com', path: '/', httpOnly: true, secure: true }]
+                    })
+                ]
+            }
+        };
+
+        const { cookies } = scraper.parseImportedCookies(har);
+
+        assert.deepEqual(cookies.map(cookie => [cookie.name, cookie.value, cookie.domain, cookie.httpOnly]), [
+            ['lang', 'en', 'b2b.asics.com', false],
+            ['SESSION', 'new', '.asics.com', true]
+        ]);
+    });
+
+    it('reads cookies.txt with HttpOnly lines', () => {
+        const text = [
+            '# Netscape HTTP Cookie File',
+            '#HttpOnly_.asics.com\tTRUE\t/\tTRUE\t' + EXPIRES + '\tSESSION\tabc',
+            'b2b.asics.com\tFALSE\t/\tFALSE\t0\tlang\ten',
+            '.example.com\tTRUE\t/\tFALSE\t0\tother\tx'
+        ].join('\n');
+
+        const { format, cookies } = scraper.parseImportedCookies(text);
+
+        assert.equal(format, 'netscape');
+        assert.deepEqual(cookies, [
+            { name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/', httpOnly: true, secure: true, expires: EXPIRES },
+            { name: 'lang', value: 'en', domain: 'b2b.asics.com', path: '/', httpOnly: false, secure: false }
+        ]);
+    });
+
+    it('maps extension exports and drops expired cookies', () => {
+        const exported = JSON.stringify([
+            { name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/', httpOnly: true, secure: true, sameSite: 'no_restriction', expirationDate: EXPIRES },
+            { name: 'stale', value: 'x', domain: '.asics.com', expirationDate: 1000 }
+        ]);
+
+        const { format, cookies } = scraper.parseImportedCookies(exported);
+
+        assert.equal(format, 'extension-json');
+        assert.deepEqual(cookies, [{ name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/', httpOnly: true, secure: true, expires: EXPIRES, sameSite: 'None' }]);
+    });
+
+    it('reads storageState cookies and the B2B origin localStorage', () => {
+        const state = {
+            cookies: [{ name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/', expires: -1, httpOnly: true, secure: true, sameSite: 'Lax' }],
+            origins: [{ origin: 'https://b2b.asics.com', localStorage: [{ name: 'token', value: 't1' }] }]
+        };
+
+        const { format, cookies, localStorage } = scraper.parseImportedCookies(state);
+
+        assert.equal(format, 'storage-state');
+        assert.deepEqual(cookies, [{ name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/', httpOnly: true, secure: true, sameSite: 'Lax' }]);
+        assert.deepEqual(localStorage, { token: 't1' });
+    });
+
+    it('falls back to a document.cookie string', () => {
+        const { format, cookies } = scraper.parseImportedCookies('SESSION=abc; lang=en');
+
+        assert.equal(format, 'document-cookie');
+        assert.deepEqual(cookies.map(cookie => [cookie.name, cookie.value]), [['SESSION', 'abc'], ['lang', 'en']]);
+    });
+});
+
+describe('mergeRefreshedCookies', () => {
+    let scraper;
+
+    before(() => {
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+    });
+
+    it('replaces a stored cookie whose domain differs only by the leading dot', () => {
+        const profile = {
+            sessionCookies: [
+                { name: 'SESSION', value: 'old', domain: 'b2b.asics.com', path: '/' },
+                { name: 'lang', value: 'en', domain: 'b2b.asics.com', path: '/' }
+            ]
+        };
+
+        const changed = scraper.mergeRefreshedCookies(profile, [
+            { name: 'SESSION', value: 'new', domain: '.b2b.asics.com', path: '/', expires: EXPIRES },
+            { name: 'lang', value: 'en', domain: '.b2b.asics.com', path: '/' }
+        ]);
+
+        assert.equal(changed, 1);
+        assert.deepEqual(profile.sessionCookies.map(cookie => [cookie.name, cookie.value, cookie.domain]), [
+            ['SESSION', 'new', '.b2b.asics.com'],
+            ['lang', 'en', '.b2b.asics.com']
+        ]);
+    });
+});
+
+describe('encrypted session store', () => {
+    let scraper;
+    let storeDir;
+
+    before(() => {
+        storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'asics-session-'));
+        scraper = new EnhancedASICSScraper();
+        scraper.addDebugLog = () => {};
+        scraper.sessionEncryptionSecret = 'test-secret';
+        scraper.sessionStorePath = path.join(storeDir, 'session-state.enc');
+    });
+
+    after(() => {
+        fs.rmSync(storeDir, { recursive: true, force: true });
+    });
+
+    it('uses a fresh salt for every write and reads the state back', async () => {
+        const profile = scraper.ensureSessionProfile('acme');
+        profile.sessionCookies = [{ name: 'SESSION', value: 'abc', domain: '.asics.com', path: '/' }];
+
+        await scraper.persistSessionState();
+        const first = JSON.parse(fs.readFileSync(scraper.sessionStorePath, 'utf8'));
+        await scraper.persistSessionState();
+        const second = JSON.parse(fs.readFileSync(scraper.sessionStorePath, 'utf8'));
+
+        assert.equal(first.version, 2);
+        assert.notEqual(first.salt, second.salt);
+
+        profile.sessionCookies = [];
+        assert.equal(await scraper.restoreSessionState(), true);
+        assert.deepEqual(scraper.getSessionProfile('acme').sessionCookies.map(cookie => cookie.value), ['abc']);
+    });
+
+    it('still reads stores written with the fixed salt', async () => {
+        const key = crypto.scryptSync('test-secret', 'asics-session-store', 32);
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const data = Buffer.concat([cipher.update(JSON.stringify({ profiles: [{ name: 'legacy', cookies: [{ name: 'SESSION', value: 'old' }] }] }), 'utf8'), cipher.final()]);
+
+        const state = await scraper.decryptSessionState({
+            version: 1,
+            algorithm: 'aes-256-gcm',
+            iv: iv.toString('base64'),
+            tag: cipher.getAuthTag().toString('base64'),
+            data: data.toString('base64')
+        });
+
+        assert.equal(state.profiles[0].cookies[0].value, 'old');
+    });
+});